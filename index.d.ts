@@ -2,54 +2,227 @@
 
 import type * as pino from 'pino';
 
-import { Plugin, Request } from '@hapi/hapi';
+import { Plugin, Request, RouteOptionsAccess, Server } from '@hapi/hapi';
 
 declare module '@hapi/hapi' {
   interface Server {
     logger: pino.Logger;
+    pluginLogger(): pino.Logger;
   }
 
   interface Request {
     logger: pino.Logger;
   }
+
+  interface PluginProperties {
+    'hapi-pino': HapiPino.PluginApi;
+  }
+
+  interface PluginsStates {
+    'hapi-pino': HapiPino.RequestState;
+  }
+
+  interface PluginSpecificConfiguration {
+    'hapi-pino'?: HapiPino.RouteOptions | undefined;
+  }
 }
 
 declare namespace HapiPino {
+  interface TraceContextOptions {
+    keys?: {
+      traceId?: string | undefined;
+      spanId?: string | undefined;
+      traceFlags?: string | undefined;
+      traceState?: string | null | undefined;
+    } | undefined;
+    openTelemetry?: boolean | undefined;
+  }
+
+  interface RequestState {
+    requestId?: string | undefined;
+    fields: { [key: string]: any };
+  }
+
+  interface RequestCompleteLevelMap {
+    [statusCodeOrClass: string]: pino.Level;
+  }
+
+  interface RequestIdOptions {
+    header?: string | false | undefined;
+    responseHeader?: string | false | undefined;
+    key?: string | undefined;
+    generate?: ((req: Request) => string) | undefined;
+    maxLength?: number | undefined;
+  }
+
   interface Options extends pino.LoggerOptions {
     timestamp?: boolean | (() => string) | undefined;
     logQueryParams?: boolean | undefined;
     logPathParams?: boolean | undefined;
     logPayload?: boolean | undefined;
+    logResponsePayload?: boolean | ResponsePayloadOptions | undefined;
+    logTimings?: boolean | undefined;
+    logMetrics?: boolean | Metric[] | undefined;
+    logAbortedRequests?: boolean | undefined;
     logRouteTags?: boolean | undefined;
     log4xxResponseErrors?: boolean | undefined;
+    logClientErrors?: boolean | ErrorLogOptions | undefined;
+    logServerErrors?: boolean | ErrorLogOptions | undefined;
+    logValidationErrors?: boolean | ValidationErrorOptions | undefined;
     logRequestStart?: boolean | ((req: Request) => boolean) | undefined;
     logRequestComplete?: boolean | ((req: Request) => boolean) | undefined;
     customRequestStartMessage?: ((req: Request) => string) | undefined;
     customRequestCompleteMessage?: ((req: Request, responseTime: number) => string) | undefined;
     customRequestErrorMessage?: ((req: Request, error: Error) => string) | undefined;
+    customRequestAbortedMessage?: ((req: Request, responseTime: number) => string) | undefined;
     customRequestStartLevel?: pino.Level | undefined;
-    customRequestCompleteLevel?: pino.Level | undefined;
+    customRequestCompleteLevel?: pino.Level | RequestCompleteLevelMap | ((req: Request, statusCode: number) => pino.Level) | undefined;
     customRequestErrorLevel?: pino.Level | undefined;
+    customRequestAbortedLevel?: pino.Level | undefined;
+    slowRequestThreshold?: number | undefined;
+    slowRequestLevel?: pino.Level | undefined;
     tags?: { [key in pino.Level]?: string } | undefined;
     stream?: NodeJS.WriteStream | undefined;
     allTags?: pino.Level | undefined;
     instance?: pino.Logger | undefined;
     logEvents?: string[] | false | null | undefined;
     wrapSerializers?: boolean | undefined;
+    requestHeaders?: HeaderOptions | undefined;
+    responseHeaders?: HeaderOptions | undefined;
+    redactPreset?: 'default' | undefined;
     mergeHapiLogData?: boolean | undefined;
-    ignorePaths?: string[] | undefined;
+    ignorePaths?: Array<string | RegExp> | undefined;
     ignoreTags?: string[] | undefined;
     ignoreFunc?: ((options: Options, request: Request) => boolean) | undefined;
     ignoredEventTags?: object[] | undefined;
+    vhosts?: { [vhost: string]: RouteOptions } | undefined;
     getChildBindings?:
       | ((req: Request) => {
           level?: pino.Level | string | undefined;
           [key: string]: any;
         })
       | undefined;
+    requestId?: boolean | RequestIdOptions | undefined;
+    traceContext?: boolean | TraceContextOptions | undefined;
+    asyncContext?: boolean | undefined;
+    levelRoute?: LevelRouteOptions | undefined;
+    statsRoute?: StatsRouteOptions | undefined;
+    verboseHeader?: VerboseHeaderOptions | undefined;
+    sampling?: SamplingOptions | undefined;
+    logStartupReport?: boolean | undefined;
+    logPlugin?: boolean | undefined;
+    authBindings?: string[] | ((req: Request) => pino.Bindings | undefined) | undefined;
+    flushOnStop?: boolean | undefined;
+    exitHandlers?: boolean | Array<'uncaughtException' | 'unhandledRejection' | 'SIGTERM'> | undefined;
+  }
+
+  interface VerboseHeaderOptions {
+    secret: string | Buffer;
+    header?: string | undefined;
+    algorithm?: string | undefined;
+  }
+
+  interface ResponsePayloadOptions {
+    maxBytes?: number | undefined;
+    contentTypes?: string[] | undefined;
+    mode?: 'always' | 'non2xx' | undefined;
+  }
+
+  type Metric = 'bytesReceived' | 'bytesSent' | 'httpVersion' | 'remoteAddress' | 'remotePort' | 'host' | 'referrer' | 'route';
+
+  interface ErrorLogOptions {
+    level?: pino.Level | undefined;
+    stack?: boolean | undefined;
+  }
+
+  interface ValidationErrorOptions {
+    level?: pino.Level | undefined;
+    redact?: boolean | undefined;
+  }
+
+  interface HeaderOptions {
+    allow?: string[] | undefined;
+    deny?: string[] | undefined;
+    redact?: string[] | undefined;
+  }
+
+  interface SamplingOptions {
+    rate?: number | undefined;
+    routes?: { [path: string]: number } | undefined;
+    tags?: { [tag: string]: number } | undefined;
+    keepServerErrors?: boolean | undefined;
+    keepErrors?: boolean | undefined;
+    keepSlowerThan?: number | undefined;
+  }
+
+  interface LevelRouteOptions {
+    path?: string | undefined;
+    auth: RouteOptionsAccess | string | false;
+    ttl?: number | undefined;
+  }
+
+  interface StatsRouteOptions {
+    path?: string | undefined;
+    auth: RouteOptionsAccess | string | false;
+  }
+
+  interface Stats {
+    levels: { [level: string]: number };
+    routes: { [path: string]: { [method: string]: number } };
+    dropped: { ignored: number; sampled: number };
+  }
+
+  interface LevelScope {
+    path?: string | undefined;
+    tag?: string | undefined;
+    ttl?: number | undefined;
+  }
+
+  interface ScopedLevel {
+    level: pino.Level | string;
+    expiresAt: string | null;
+  }
+
+  interface LevelState {
+    level: pino.Level | string;
+    configuredLevel: pino.Level | string;
+    paths: { [path: string]: ScopedLevel };
+    tags: { [tag: string]: ScopedLevel };
+  }
+
+  interface PluginApi {
+    stats: Stats;
+    getLevel(): LevelState;
+    setLevel(level: pino.Level | string, scope?: LevelScope): LevelState;
+    resetLevel(scope?: Pick<LevelScope, 'path' | 'tag'>): LevelState;
+  }
+
+  interface RouteOptions {
+    ignore?: boolean | undefined;
+    ignoreFunc?: ((options: Options, request: Request) => boolean) | undefined;
+    logQueryParams?: boolean | undefined;
+    logPathParams?: boolean | undefined;
+    logPayload?: boolean | undefined;
+    logResponsePayload?: boolean | ResponsePayloadOptions | undefined;
+    logRouteTags?: boolean | undefined;
+    log4xxResponseErrors?: boolean | undefined;
+    logRequestStart?: boolean | ((req: Request) => boolean) | undefined;
+    logRequestComplete?: boolean | ((req: Request) => boolean) | undefined;
+    customRequestStartMessage?: ((req: Request) => string) | undefined;
+    customRequestCompleteMessage?: ((req: Request, responseTime: number) => string) | undefined;
+    customRequestErrorMessage?: ((req: Request, error: Error) => string) | undefined;
+    customRequestAbortedMessage?: ((req: Request, responseTime: number) => string) | undefined;
+    customRequestStartLevel?: pino.Level | undefined;
+    customRequestCompleteLevel?: pino.Level | RequestCompleteLevelMap | ((req: Request, statusCode: number) => pino.Level) | undefined;
+    customRequestErrorLevel?: pino.Level | undefined;
+    customRequestAbortedLevel?: pino.Level | undefined;
+    slowRequestThreshold?: number | undefined;
+    slowRequestLevel?: pino.Level | undefined;
   }
 }
 
-declare var HapiPino: Plugin<HapiPino.Options>;
+declare var HapiPino: Plugin<HapiPino.Options> & {
+  getLogger(server?: Server): pino.Logger;
+};
 
 export = HapiPino;
@@ -1,11 +1,90 @@
 'use strict'
 
+const crypto = require('crypto')
 const Hoek = require('@hapi/hoek')
 const pino = require('pino')
 const { stdSerializers } = pino
 const serializersSym = Symbol.for('pino.serializers')
+const { writeSym } = pino.symbols
+const requestSym = Symbol('hapi-pino.request')
 const nullLogger = require('abstract-logging')
 const getCallerFile = require('get-caller-file')
+const { performance } = require('perf_hooks')
+const { AsyncLocalStorage } = require('async_hooks')
+
+// each phase starts at the named mark and lasts until the next recorded one, the marks are the extension points, and
+// `writeHead` once all the `onPreResponse` extensions have run and the response headers are written
+const timingPhases = [
+  ['auth', 'onPreAuth'],
+  ['validation', 'onPostAuth'],
+  ['handler', 'onPreHandler'],
+  ['onPostHandler', 'onPostHandler'],
+  ['onPreResponse', 'onPreResponse'],
+  ['transmit', 'writeHead']
+]
+
+// fields which can be added to the `response` event log with `logMetrics`
+const metricFields = {
+  bytesReceived: (request) => getContentLength(request.headers['content-length']),
+  bytesSent: (request) => request.plugins['hapi-pino'].bytesSent,
+  httpVersion: (request) => request.raw.req.httpVersion,
+  remoteAddress: (request) => request.info.remoteAddress,
+  remotePort: (request) => request.info.remotePort || undefined,
+  host: (request) => request.info.host,
+  referrer: (request) => request.info.referrer || undefined,
+  route: (request) => request.route.path
+}
+
+// the request properties validated by the route `validate` option
+const validationSources = ['headers', 'params', 'query', 'payload', 'state']
+
+// process events which can be handled by `exitHandlers`, `graceful` ones stop the servers before exiting
+const exitEvents = {
+  uncaughtException: { message: 'uncaught exception', code: 1 },
+  unhandledRejection: { message: 'unhandled rejection', code: 1 },
+  SIGTERM: { message: 'received SIGTERM', code: 143, graceful: true }
+}
+// a single process listener for each event handles all the registrations using `exitHandlers`, so that every server
+// is stopped before the process exits, see `addExitHandler()`
+const exitHandlers = new Map()
+
+// holds `{ request }` for the lifecycle of each request when `asyncContext` is enabled, see `getLogger()`
+const requestContext = new AsyncLocalStorage()
+// the server logger of each registration, keyed by the `server.registrations` shared by the realms of a server
+const serverLoggers = new WeakMap()
+// returned by `getLogger()` when there is no logger to return, unlike `abstract-logging` it has the whole pino API
+const disabledLogger = pino({ enabled: false })
+
+// see `redactPreset`, the query parameters are matched on their names
+const redactPresets = {
+  default: {
+    requestHeaders: ['authorization', 'cookie', 'x-api-key'],
+    responseHeaders: ['set-cookie'],
+    queryParams: /token|password|secret|key$/i
+  }
+}
+
+// options of hapi-pino written to the startup report, the other pino options, like `transport`, may hold secrets
+const reportedOptions = [
+  'level', 'redact', 'timestamp', 'logQueryParams', 'logPathParams', 'logPayload', 'logResponsePayload', 'logTimings',
+  'logMetrics', 'logAbortedRequests', 'logRouteTags', 'log4xxResponseErrors', 'logClientErrors', 'logServerErrors',
+  'logValidationErrors', 'logRequestStart', 'logRequestComplete', 'customRequestStartMessage',
+  'customRequestCompleteMessage', 'customRequestErrorMessage', 'customRequestAbortedMessage', 'customRequestStartLevel',
+  'customRequestCompleteLevel', 'customRequestErrorLevel', 'customRequestAbortedLevel', 'slowRequestThreshold',
+  'slowRequestLevel', 'tags', 'allTags', 'logEvents', 'wrapSerializers', 'requestHeaders', 'responseHeaders',
+  'redactPreset', 'mergeHapiLogData', 'ignorePaths', 'ignoreTags', 'ignoreFunc', 'ignoredEventTags', 'vhosts',
+  'getChildBindings', 'requestId', 'traceContext', 'asyncContext', 'levelRoute', 'statsRoute', 'verboseHeader',
+  'sampling', 'logStartupReport', 'logPlugin', 'authBindings', 'flushOnStop', 'exitHandlers'
+]
+
+// option keys whose values are never written to the startup report
+const secretOptionKey = /secret|password|passphrase|token|credential|auth|key|cookie/i
+
+// incoming request ids are logged and echoed back, so only short ids made of safe characters are trusted
+const requestIdFormat = /^[A-Za-z0-9._:@/+=-]+$/
+
+// see https://www.w3.org/TR/trace-context/#traceparent-header
+const traceparentFormat = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/
 
 const levelTags = {
   trace: 'trace',
@@ -16,11 +95,6 @@ const levelTags = {
   fatal: 'fatal'
 }
 
-let ignoredEventTags = {
-  log: '*',
-  request: '*'
-}
-
 async function register (server, options) {
   // clone all user options to account for internal mutations, except for existing stream and pino instances
   options = Object.assign(Hoek.clone(options), {
@@ -35,9 +109,22 @@ async function register (server, options) {
   const resSerializer = options.serializers.res || stdSerializers.res
 
   options.serializers.err = options.serializers.err || pino.stdSerializers.err
+
+  const clientErrors = resolveErrorLogOptions(options.logClientErrors, { level: undefined, stack: false })
+  const serverErrors = resolveErrorLogOptions(options.logServerErrors, { level: undefined, stack: true })
+  let stacklessErrSerializer
+  if (clientErrors || serverErrors) {
+    options.serializers.err = boomErrSerializer(options.serializers.err)
+    stacklessErrSerializer = omitStack(options.serializers.err)
+  }
   options.serializers.req = wrapSerializers ? stdSerializers.wrapRequestSerializer(reqSerializer) : reqSerializer
   options.serializers.res = wrapSerializers ? stdSerializers.wrapResponseSerializer(resSerializer) : resSerializer
 
+  // applied to the output of the serializers the logger ends up with, see `filterSerializers()`
+  const redactPreset = resolveRedactPreset(options.redactPreset)
+  const requestHeaders = resolveHeaderOptions(options.requestHeaders, 'requestHeaders', redactPreset && redactPreset.requestHeaders)
+  const responseHeaders = resolveHeaderOptions(options.responseHeaders, 'responseHeaders', redactPreset && redactPreset.responseHeaders)
+
   if (options.logEvents === undefined) {
     options.logEvents = ['onPostStart', 'onPostStop', 'response', 'request-error']
   }
@@ -47,7 +134,7 @@ async function register (server, options) {
     logger = options.instance
     const overrideDefaultErrorSerializer =
       typeof options.serializers.err === 'function' && logger[serializersSym].err === stdSerializers.err
-    logger[serializersSym] = Object.assign({}, options.serializers, logger[serializersSym])
+    logger[serializersSym] = filterSerializers(Object.assign({}, options.serializers, logger[serializersSym]))
     if (overrideDefaultErrorSerializer) {
       logger[serializersSym].err = options.serializers.err
     }
@@ -57,7 +144,20 @@ async function register (server, options) {
     }
     options.stream = options.stream || process.stdout
     const stream = options.stream || process.stdout
-    logger = pino(options, stream)
+    filterSerializers(options.serializers)
+
+    // count the lines once a custom `logMethod` hook, which may drop them, lets them through, see `countLine()`
+    const logMethod = options.hooks && options.hooks.logMethod
+    const hooks = Object.assign({}, options.hooks, {
+      logMethod (args, method, level) {
+        const countedMethod = function () {
+          countLine(this, level)
+          return method.apply(this, arguments)
+        }
+        return logMethod ? logMethod.call(this, args, countedMethod, level) : countedMethod.apply(this, args)
+      }
+    })
+    logger = pino(Object.assign({}, options, { hooks }), stream)
   }
 
   const levels = Object.keys(logger.levels.values)
@@ -74,65 +174,246 @@ async function register (server, options) {
     tagToLevelValue[tag] = logger.levels.values[tagToLevels[tag]]
   }
 
-  const ignoreTable = {}
-  if (options.ignorePaths) {
-    for (let i = 0; i < options.ignorePaths.length; i++) {
-      ignoreTable[options.ignorePaths[i]] = true
-    }
-  }
+  const ignoredPaths = compileIgnorePaths(options.ignorePaths || [])
 
-  if (options.ignoredEventTags) {
-    ignoredEventTags = { ...ignoredEventTags, ...options.ignoredEventTags }
+  // all state is kept per registration so that several servers can be configured independently
+  const ignoredEventTags = {
+    log: '*',
+    request: '*',
+    ...options.ignoredEventTags
   }
 
   const mergeHapiLogData = options.mergeHapiLogData
   const messageKey = options.messageKey || 'msg'
-  const getChildBindings = options.getChildBindings ? options.getChildBindings : (request) => ({ req: request })
-  const shouldLogRequestStart = typeof options.logRequestStart === 'function'
-    ? (request) => options.logRequestStart(request)
-    : typeof options.logRequestStart === 'boolean'
-      ? () => !!options.logRequestStart
-      : () => false
-  const shouldLogRequestComplete = typeof options.logRequestComplete === 'function'
-    ? (request) => options.logRequestComplete(request)
-    : typeof options.logRequestComplete === 'boolean'
-      ? () => !!options.logRequestComplete
-      : () => true
-
-  const requestStartMessage = options.customRequestStartMessage || function () { return 'request start' }
-  const requestCompleteMessage = options.customRequestCompleteMessage || function (request, responseTime) { return `[response] ${request.method} ${request.path} ${request.raw.res.headersSent ? request.raw.res.statusCode : '-'} (${responseTime}ms)` }
-  const requestErrorMessage = options.customRequestErrorMessage || function (request, error) { return error.message } // Will default to `Internal Server Error` by hapi
-
-  const requestStartLevel = options.customRequestStartLevel || 'info'
-  const requestCompleteLevel = options.customRequestCompleteLevel || 'info'
-  const requestErrorLevel = options.customRequestErrorLevel || 'error'
+  const customChildBindings = options.getChildBindings ? options.getChildBindings : (request) => ({ req: request })
+  const requestId = resolveRequestIdOptions(options.requestId)
+  const verboseHeader = resolveVerboseHeaderOptions(options.verboseHeader)
+  const sampling = resolveSamplingOptions(options.sampling)
+  const traceContext = resolveTraceContextOptions(options.traceContext)
+  const metrics = resolveMetricsOptions(options.logMetrics)
+  const validationErrors = resolveValidationErrorOptions(options.logValidationErrors)
+
+  // the built-in bindings come first so that a custom `getChildBindings` can override them
+  const bindingProviders = []
+  if (requestId) {
+    bindingProviders.push((request) => ({ [requestId.key]: getRequestId(request) }))
+  }
+  if (traceContext) {
+    bindingProviders.push(getTraceBindings)
+  }
+  const getChildBindings = bindingProviders.length > 0
+    ? (request) => Object.assign({}, ...bindingProviders.map(provider => provider(request)), customChildBindings(request))
+    : customChildBindings
+  // route level overrides are merged over the registration options, see `route.options.plugins['hapi-pino']`,
+  // and compiled when the route is added so that invalid overrides fail `server.route()`. They are keyed by
+  // `route.settings`, shared by the routes of `server.table()` and `request.route`
+  const defaultSettings = compileSettings(options)
+  const routeSettings = new WeakMap()
+  let hasRouteSettings = false
+  for (const route of server.table()) {
+    compileRouteSettings(route)
+  }
+  server.events.on('route', compileRouteSettings)
 
   // expose logger as 'server.logger'
   server.decorate('server', 'logger', logger)
+  serverLoggers.set(server.registrations, logger)
+
+  // `this` is the server of the calling plugin, whose realm gives the plugin name
+  const pluginLoggers = new WeakMap()
+  server.decorate('server', 'pluginLogger', function () {
+    const realm = this.realm
+    if (!realm.plugin) {
+      return logger
+    }
+
+    if (!pluginLoggers.has(realm)) {
+      pluginLoggers.set(realm, createChildLogger({ plugin: realm.plugin }))
+    }
+
+    return pluginLoggers.get(realm)
+  })
+
+  // runtime level control, optionally scoped to route paths or tags
+  const configuredLevel = logger.level
+  const scopedLevels = { path: new Map(), tag: new Map() }
+  let rootLevelTimer = null
+
+  // log volume counters, see `countLine()`
+  const stats = {
+    levels: {},
+    routes: {},
+    dropped: { ignored: 0, sampled: 0 }
+  }
+
+  server.expose('stats', stats)
+  server.expose('getLevel', getLevel)
+  server.expose('setLevel', setLevel)
+  server.expose('resetLevel', resetLevel)
+
+  server.ext('onPostStop', async function () {
+    clearTimeout(rootLevelTimer)
+    for (const scope of Object.values(scopedLevels)) {
+      for (const entry of scope.values()) {
+        clearTimeout(entry.timer)
+      }
+    }
+  })
+
+  if (options.levelRoute) {
+    addLevelRoute(options.levelRoute)
+  }
+
+  if (options.statsRoute) {
+    addStatsRoute(options.statsRoute)
+  }
+
+  // the details of validation errors are only passed to `failAction` functions, so wrap the one of every route
+  if (validationErrors) {
+    for (const route of server.table()) {
+      wrapValidationFailAction(route)
+    }
+    server.events.on('route', wrapValidationFailAction)
+  }
 
   // set a logger for each request
   server.ext('onRequest', (request, h) => {
-    if (isLoggingIgnored(options, request)) {
+    // `fields` can be filled during the request lifecycle and are merged into the `response` log
+    const state = getRequestState(request)
+    if (options.asyncContext) {
+      state.context = { request }
+      requestContext.enterWith(state.context)
+    }
+
+    if (requestId) {
+      state.requestId = createRequestId(request)
+    }
+
+    // routing happens after `onRequest`, so look up the route to apply its settings
+    const route = matchRoute(request)
+    const settings = getSettings(route)
+    if (isLoggingIgnored(settings, request, route)) {
       request.logger = nullLogger
       return h.continue
     }
 
     const childBindings = getChildBindings(request)
-    request.logger = logger.child(childBindings)
+    request.logger = createRequestLogger(request, childBindings, route)
 
-    if (shouldLogRequestStart(request)) {
-      request.logger[requestStartLevel]({
+    if (settings.shouldLogRequestStart(request)) {
+      request.logger[settings.requestStartLevel]({
         req: childBindings.req ? undefined : request
-      }, requestStartMessage(request))
+      }, settings.requestStartMessage(request))
+    }
+
+    if (settings.slowRequestThreshold) {
+      startSlowRequestTimer(request, settings)
     }
 
     return h.continue
   })
 
+  // the in-flight timers and the async context must be cleared even when the `response` event is not logged
+  server.events.on('response', function (request) {
+    const state = request.plugins['hapi-pino']
+    if (state && state.slowTimer) {
+      clearTimeout(state.slowTimer)
+      state.slowTimer = null
+    }
+
+    // the context can outlive the request in the code that dispatched it
+    if (state && state.context) {
+      state.context.request = null
+    }
+  })
+
+  if (requestId && requestId.responseHeader) {
+    // echo the request id back to the client, on both regular and error responses
+    server.ext('onPreResponse', (request, h) => {
+      const id = getRequestId(request)
+      const response = request.response
+      if (!response) {
+        return h.continue
+      }
+
+      if (response.isBoom) {
+        response.output.headers[requestId.responseHeader] = id
+      } else {
+        response.header(requestId.responseHeader, id)
+      }
+
+      return h.continue
+    })
+  }
+
+  // keep the boom error before other extensions may replace it, e.g. with an error page, as its payload is not the error
+  if (clientErrors && clientErrors.log) {
+    server.ext('onPreResponse', (request, h) => {
+      if (request.response && request.response.isBoom) {
+        getRequestState(request).error = request.response
+      }
+
+      return h.continue
+    })
+  }
+
+  // the credentials are only known once authentication has run, after the request logger was created
+  if (options.authBindings) {
+    const getAuthBindings = compileAuthBindings(options.authBindings)
+    server.ext('onPostAuth', (request, h) => {
+      if (request.auth.isAuthenticated && request.logger && request.logger !== nullLogger) {
+        const bindings = getAuthBindings(request)
+        if (bindings) {
+          request.logger.setBindings(bindings)
+        }
+      }
+
+      return h.continue
+    })
+  }
+
+  // the `content-length` header is not set for streamed and compressed payloads, so count what is actually written
+  if (metrics && metrics.includes('bytesSent')) {
+    server.ext('onRequest', (request, h) => {
+      countBytesSent(request.raw.res, getRequestState(request))
+      return h.continue
+    })
+  }
+
+  // the lifecycle extension points are needed both for the timings and to know where aborted requests stopped
+  // the marks use the monotonic clock, see `toMonotonic()`
+  if (options.logTimings || options.logAbortedRequests) {
+    server.ext('onRequest', (request, h) => {
+      const timings = getRequestState(request).timings = { received: toMonotonic(request.info.received) }
+
+      // the extensions of other plugins may run after the `onPreResponse` one of hapi-pino
+      const res = request.raw.res
+      const writeHead = res.writeHead
+      res.writeHead = function () {
+        timings.writeHead = performance.now()
+        return writeHead.apply(this, arguments)
+      }
+      return h.continue
+    })
+
+    for (const [, point] of timingPhases) {
+      if (point === 'writeHead') {
+        continue
+      }
+
+      server.ext(point, (request, h) => {
+        const state = getRequestState(request)
+        state.timings = state.timings || {}
+        state.timings[point] = performance.now()
+        return h.continue
+      })
+    }
+  }
+
   server.events.on('log', function (event) {
     if (!isCustomTagsLoggingIgnored(event, ignoredEventTags.log)) { // first check on ignoring tags
       if (event.error) {
-        logger.error({ err: event.error, tags: event.tags })
+        writeLine(logger, 'error', { err: event.error, tags: event.tags })
       } else {
         logEvent(logger, event)
       }
@@ -142,25 +423,40 @@ async function register (server, options) {
   // log via `request.log()` and optionally when an internal `accept-encoding`
   // error occurs or request completes with an error
   server.events.on('request', function (request, event, tags) {
+    if (event.channel === 'internal' && tags.error && (tags.abort || tags.close)) {
+      const state = getRequestState(request)
+      state.aborted = state.aborted || getLifecyclePhase(request)
+    }
+
+    const settings = getSettings(request.route)
     if (
       (event.channel === 'internal' && !tags['accept-encoding']) ||
-      isLoggingIgnored(options, request)
+      isLoggingIgnored(settings, request)
     ) {
       return
     }
 
     if (!request.logger) {
-      const childBindings = getChildBindings(request)
-      request.logger = logger.child(childBindings)
+      request.logger = createRequestLogger(request, getChildBindings(request))
+    }
+
+    if (event.error && event.channel === 'error') {
+      getRequestState(request).errored = true
+    }
+
+    // only 5xx errors are logged on the `error` channel, by hapi once the response is sent
+    const errorOptions = event.channel === 'error' ? serverErrors : undefined
+    if (event.error && errorOptions && !errorOptions.log) {
+      return
     }
 
     if (event.error && isEnabledLogEvent(options, 'request-error')) {
-      request.logger[requestErrorLevel](
+      getErrorLogger(request, errorOptions)[(errorOptions && errorOptions.level) || settings.requestErrorLevel](
         {
           tags: event.tags,
           err: event.error
         },
-        requestErrorMessage(request, event.error)
+        settings.requestErrorMessage(request, event.error)
       )
     } else if (event.channel === 'app' && !isCustomTagsLoggingIgnored(event, ignoredEventTags.request)) {
       logEvent(request.logger, event)
@@ -169,132 +465,1388 @@ async function register (server, options) {
 
   // log when a request completes
   tryAddEvent(server, options, 'on', 'response', function (request) {
-    if (isLoggingIgnored(options, request)) {
+    const settings = getSettings(request.route)
+    if (isLoggingIgnored(settings, request)) {
+      stats.dropped.ignored++
       return
     }
 
-    if (shouldLogRequestComplete(request)) {
+    if (settings.shouldLogRequestComplete(request)) {
+      const routeOptions = settings.options
       const info = request.info
       const statusCode = request.response.statusCode
+      const responseTime = (info.completed !== undefined ? info.completed : info.responded) - info.received
+
+      const slow = settings.slowRequestThreshold && responseTime >= settings.slowRequestThreshold ? true : undefined
+      const sampleRate = sampling ? getSampleRate(request, statusCode, responseTime, slow) : undefined
+      if (sampleRate !== undefined && (sampleRate === 0 || Math.random() >= sampleRate)) {
+        stats.dropped.sampled++
+        return
+      }
+
       if (!request.logger) {
-        const childBindings = getChildBindings(request)
-        request.logger = logger.child(childBindings)
+        request.logger = createRequestLogger(request, getChildBindings(request))
+      }
+
+      const abortedAt = options.logAbortedRequests ? getRequestState(request).aborted : undefined
+
+      const isClientError = statusCode >= 400 && statusCode < 500
+      let err
+      if (clientErrors) {
+        err = clientErrors.log && isClientError ? getRequestState(request).error || request.response.source : undefined
+      } else {
+        err = routeOptions.log4xxResponseErrors && isClientError ? request.response.source : undefined
+      }
+
+      let level
+      let message
+      if (abortedAt) {
+        level = settings.requestAbortedLevel
+        message = settings.requestAbortedMessage(request, responseTime)
+      } else {
+        level = (err && clientErrors && clientErrors.level) || settings.requestCompleteLevel(request, statusCode)
+        // being slow can only raise the severity of the log
+        if (slow && logger.levels.values[settings.slowRequestLevel] > logger.levels.values[level]) {
+          level = settings.slowRequestLevel
+        }
+        message = settings.requestCompleteMessage(request, responseTime)
       }
 
       // If you want `req` to be added either use the default `getChildBindings` or make sure `req` is passed in your custom bindings.
-      const responseTime = (info.completed !== undefined ? info.completed : info.responded) - info.received
-      request.logger[requestCompleteLevel](
-        {
-          payload: options.logPayload ? request.payload : undefined,
-          queryParams: options.logQueryParams ? request.query : undefined,
-          pathParams: options.logPathParams ? request.params : undefined,
-          tags: options.logRouteTags ? request.route.settings.tags : undefined,
-          err: options.log4xxResponseErrors && (statusCode >= 400 && statusCode < 500) ? request.response.source : undefined,
+      // The built-in fields which are not set leave the request fields of the same name as is.
+      getErrorLogger(request, err && clientErrors)[level](
+        assignDefined({ ...getRequestState(request).fields }, {
+          payload: routeOptions.logPayload ? request.payload : undefined,
+          queryParams: routeOptions.logQueryParams ? maskQueryParams(request.query, redactPreset && redactPreset.queryParams) : undefined,
+          pathParams: routeOptions.logPathParams ? request.params : undefined,
+          tags: routeOptions.logRouteTags ? request.route.settings.tags : undefined,
+          err,
           res: request.raw.res,
-          responseTime
-        },
-        requestCompleteMessage(request, responseTime)
+          timings: options.logTimings ? getTimings(request) : undefined,
+          metrics: metrics ? getMetrics(request, metrics) : undefined,
+          responsePayload: settings.responsePayload ? getResponsePayload(request, settings.responsePayload, statusCode) : undefined,
+          responseTime,
+          slow,
+          aborted: abortedAt ? true : undefined,
+          lifecycle: abortedAt,
+          sampleRate
+        }),
+        message
       )
     }
   })
 
   tryAddEvent(server, options, 'ext', 'onPostStart', async function (s) {
-    logger.info(server.info, 'server started')
+    writeLine(logger, 'info', server.info, 'server started')
   })
 
+  if (options.logStartupReport) {
+    server.ext('onPostStart', async function () {
+      writeLine(logger, 'info', getStartupReport(), 'startup report')
+    })
+  }
+
   tryAddEvent(server, options, 'ext', 'onPostStop', async function (s) {
-    logger.info(server.info, 'server stopped')
+    writeLine(logger, 'info', server.info, 'server stopped')
   })
 
-  function isCustomTagsLoggingIgnored (event, ignoredTags) {
-    if (event.tags && ignoredTags !== '*') {
-      return event.tags.some(tag => ignoredTags.indexOf(tag) > -1)
-    }
-    return false
+  // added after the `onPostStop` log so that it gets flushed too
+  if (options.flushOnStop) {
+    server.ext('onPostStop', async function () {
+      await new Promise(resolve => logger.flush(() => resolve()))
+    })
   }
 
-  function isLoggingIgnored (options, request) {
-    if (typeof options.ignoreFunc === 'function') {
-      return !!options.ignoreFunc(options, request)
+  if (options.exitHandlers) {
+    installExitHandlers(options.exitHandlers === true ? Object.keys(exitEvents) : options.exitHandlers)
+  }
+
+  // the header filters and the query masking apply to the output of any `req` and `res` serializers, including those
+  // of `options.instance`
+  function filterSerializers (serializers) {
+    if (requestHeaders) {
+      serializers.req = filterHeaders(serializers.req, requestHeaders)
+    }
+    if (responseHeaders) {
+      serializers.res = filterHeaders(serializers.res, responseHeaders)
+    }
+    // pino `redact` paths can't reach the parameters inside `req.url`
+    if (redactPreset) {
+      serializers.req = maskQuery(serializers.req, redactPreset.queryParams)
     }
 
-    // note: from hapi@18.0.0 the `request.url` can be undefined
-    // based on that we prefer to use request.path instead of request.url.pathname
-    if (options.ignorePaths && ignoreTable[request.path]) {
-      return true
+    return serializers
+  }
+
+  function getStartupReport () {
+    const routes = server.table().map(route => {
+      const auth = server.auth.lookup(route)
+      return {
+        method: route.method,
+        path: route.path,
+        vhost: route.settings.vhost || undefined,
+        auth: auth ? auth.strategies : false,
+        tags: route.settings.tags
+      }
+    })
+
+    const plugins = Object.values(server.registrations).map(({ name, version }) => ({ name, version }))
+
+    const config = {}
+    for (const key of reportedOptions) {
+      if (options[key] !== undefined) {
+        config[key] = sanitizeOptions(key === 'redact' ? getRedactPaths(options.redact) : options[key], key)
+      }
     }
 
-    const ignoreTags = options.ignoreTags
-    const routeTags = request.route.settings.tags
+    return { routes, plugins, config }
+  }
 
-    if (!ignoreTags || !routeTags) {
-      return false
+  function installExitHandlers (events) {
+    for (const event of events) {
+      if (!exitEvents[event]) {
+        throw new Error(`unsupported exit handler ${event}`)
+      }
     }
 
-    for (let index = ignoreTags.length; index >= 0; index--) {
-      if (routeTags.includes(ignoreTags[index])) {
-        return true
+    const registration = {
+      log: (level, ...args) => writeLine(logger, level, ...args),
+      // in-flight requests complete and the `onPostStop` extensions, like `flushOnStop`, run before exiting
+      stop: () => server.stop().then(() => true, (err) => {
+        writeLine(logger, 'error', { err }, 'failed to stop the server')
+        return false
+      }),
+      flush: () => new Promise(resolve => logger.flush(() => resolve()))
+    }
+    for (const event of events) {
+      addExitHandler(event, registration)
+    }
+
+    server.ext('onPostStop', async function () {
+      for (const event of events) {
+        removeExitHandler(event, registration)
+      }
+    })
+  }
+
+  // the lines of a user supplied `options.instance` can't be counted with a hook, so the children created by this
+  // registration count their own lines, and the lines of the instance are counted by `writeLine()`
+  function createChildLogger (bindings) {
+    const child = logger.child(bindings)
+    if (options.instance) {
+      const write = child[writeSym]
+      child[writeSym] = function (obj, msg, num) {
+        countLine(this, num)
+        return write.call(this, obj, msg, num)
       }
     }
 
-    return false
+    return child
   }
 
-  function isEnabledLogEvent (options, name) {
-    return options.logEvents && options.logEvents.indexOf(name) !== -1
+  // writes a line of hapi-pino with `current`, the server logger or a request logger
+  function writeLine (current, level, ...args) {
+    if (options.instance && current === logger && logger.isLevelEnabled(level)) {
+      countLine(logger, logger.levels.values[level])
+    }
+
+    current[level](...args)
   }
 
-  function tryAddEvent (server, options, type, event, cb) {
-    const name = typeof event === 'string' ? event : event.name
-    if (isEnabledLogEvent(options, name)) {
-      if (type === 'on') {
-        server.events.on(event, cb)
-      } else if (type === 'ext') {
-        server.ext(event, cb)
-      } else {
-        throw new Error(`unsupported type ${type}`)
-      }
+  function createRequestLogger (request, childBindings, route = request.route) {
+    if (options.logPlugin && route.realm.plugin) {
+      childBindings = Object.assign({ plugin: route.realm.plugin }, childBindings)
+    }
+
+    const requestLogger = createChildLogger(childBindings)
+    requestLogger[requestSym] = request
+    const scopedLevel = getScopedLevel(route)
+    if (scopedLevel) {
+      requestLogger.level = scopedLevel
+    }
+
+    if (verboseHeader && request.headers[verboseHeader.header] !== undefined) {
+      applyVerboseHeader(request, requestLogger)
     }
+
+    return requestLogger
   }
 
-  function logEvent (current, event) {
-    // check for null logger
-    if (current === nullLogger) {
+  function applyVerboseHeader (request, requestLogger) {
+    const value = request.headers[verboseHeader.header]
+    const [level, expires, signature] = typeof value === 'string' ? value.split(':') : []
+    if (!signature || logger.levels.values[level] === undefined || !/^\d+$/.test(expires)) {
+      requestLogger.warn({ header: verboseHeader.header }, 'ignoring unsigned or malformed verbose logging header')
       return
     }
 
-    const tags = event.tags
-    let data = event.data
+    // the expiry is signed too, so that a leaked header value can't be replayed forever
+    const expected = crypto.createHmac(verboseHeader.algorithm, verboseHeader.secret).update(`${level}:${expires}`).digest()
+    const actual = Buffer.from(signature, 'hex')
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      requestLogger.warn({ header: verboseHeader.header }, 'ignoring verbose logging header with an invalid signature')
+      return
+    }
 
-    let logObject
-    if (mergeHapiLogData) {
-      if (typeof data === 'string' || typeof data === 'number') {
-        data = { [messageKey]: data }
+    if (Number(expires) * 1000 <= Date.now()) {
+      requestLogger.warn({ header: verboseHeader.header }, 'ignoring expired verbose logging header')
+      return
+    }
+
+    // the header can only make a request more verbose
+    if (logger.levels.values[level] < requestLogger.levelVal) {
+      requestLogger.level = level
+    }
+  }
+
+  function getScopedLevel (route) {
+    if (scopedLevels.path.size === 0 && scopedLevels.tag.size === 0) {
+      return null
+    }
+
+    const candidates = []
+    if (scopedLevels.path.has(route.path)) {
+      candidates.push(scopedLevels.path.get(route.path).level)
+    }
+
+    for (const tag of route.settings.tags || []) {
+      if (scopedLevels.tag.has(tag)) {
+        candidates.push(scopedLevels.tag.get(tag).level)
       }
+    }
 
-      logObject = Object.assign({ tags }, data)
-    } else {
-      logObject = { tags, data }
+    // the most verbose level wins when several scopes match
+    let scopedLevel = null
+    for (const candidate of candidates) {
+      if (!scopedLevel || logger.levels.values[candidate] < logger.levels.values[scopedLevel]) {
+        scopedLevel = candidate
+      }
     }
 
-    let highest = 0
+    return scopedLevel
+  }
 
-    for (const tag of tags) {
-      const level = tagToLevelValue[tag]
-      if (level && level > highest) {
-        highest = level
+  function getLevel () {
+    const describe = (scope) => {
+      const result = {}
+      for (const [key, entry] of scope) {
+        result[key] = { level: entry.level, expiresAt: entry.expiresAt }
       }
+      return result
+    }
+
+    return {
+      level: logger.level,
+      configuredLevel,
+      paths: describe(scopedLevels.path),
+      tags: describe(scopedLevels.tag)
     }
+  }
+
+  function setLevel (level, scope = {}) {
+    assertLevelChange(level, scope)
+
+    const ttl = scope.ttl
+    const timer = ttl ? setTimeout(() => resetLevel(scope), ttl) : null
+    if (timer) {
+      timer.unref()
+    }
+
+    const expiresAt = ttl ? new Date(Date.now() + ttl).toISOString() : null
+    const target = getLevelScope(scope)
+    if (target) {
+      resetLevel(scope)
+      target.map.set(target.key, { level, timer, expiresAt })
+    } else {
+      clearTimeout(rootLevelTimer)
+      rootLevelTimer = timer
+      logger.level = level
+    }
+
+    return getLevel()
+  }
 
-    if (highest > 0) {
-      current[current.levels.labels[highest]](logObject)
+  function resetLevel (scope = {}) {
+    const target = getLevelScope(scope)
+    if (target) {
+      const entry = target.map.get(target.key)
+      if (entry) {
+        clearTimeout(entry.timer)
+        target.map.delete(target.key)
+      }
     } else {
-      current[allTags](logObject)
+      clearTimeout(rootLevelTimer)
+      rootLevelTimer = null
+      logger.level = configuredLevel
+    }
+
+    return getLevel()
+  }
+
+  function assertLevelChange (level, scope) {
+    if (logger.levels.values[level] === undefined) {
+      throw new Error(`unknown level ${level}`)
+    }
+
+    if (!isValidTtl(scope.ttl)) {
+      throw new Error('ttl must be a positive integer')
+    }
+
+    getLevelScope(scope)
+  }
+
+  function getLevelScope (scope) {
+    if (scope.path && scope.tag) {
+      throw new Error('a level can be scoped to either a path or a tag')
+    }
+
+    if (scope.path) {
+      return { map: scopedLevels.path, key: scope.path }
+    }
+
+    if (scope.tag) {
+      return { map: scopedLevels.tag, key: scope.tag }
     }
+
+    return null
+  }
+
+  function addLevelRoute (routeOptions) {
+    if (routeOptions.auth === undefined) {
+      throw new Error('levelRoute.auth must be set, use `false` to explicitly expose the route without authentication')
+    }
+
+    if (!isValidTtl(routeOptions.ttl)) {
+      throw new Error('levelRoute.ttl must be a positive integer')
+    }
+
+    const path = routeOptions.path || '/logger/level'
+    const config = { auth: routeOptions.auth }
+
+    server.route([
+      {
+        method: 'GET',
+        path,
+        options: config,
+        handler: () => getLevel()
+      },
+      {
+        method: 'PUT',
+        path,
+        options: {
+          ...config,
+          validate: {
+            payload: (value) => {
+              if (!value || typeof value !== 'object' || typeof value.level !== 'string') {
+                throw new Error('level is required')
+              }
+
+              assertLevelChange(value.level, value)
+              return value
+            }
+          }
+        },
+        handler: (request) => {
+          const { level, path, tag } = request.payload
+          const ttl = request.payload.ttl !== undefined ? request.payload.ttl : routeOptions.ttl
+          request.logger.warn({ level, path, tag, ttl }, 'log level changed')
+          return setLevel(level, { path, tag, ttl })
+        }
+      }
+    ])
+  }
+
+  function addStatsRoute (routeOptions) {
+    if (routeOptions.auth === undefined) {
+      throw new Error('statsRoute.auth must be set, use `false` to explicitly expose the route without authentication')
+    }
+
+    server.route({
+      method: 'GET',
+      path: routeOptions.path || '/logger/stats',
+      options: { auth: routeOptions.auth },
+      handler: (request, h) => h.response(formatPrometheusStats(stats)).type('text/plain; version=0.0.4')
+    })
+  }
+
+  // `logger` is the logger writing the line, request loggers and their children hold their request
+  function countLine (logger, num) {
+    const label = logger.levels.labels[num]
+    stats.levels[label] = (stats.levels[label] || 0) + 1
+
+    const route = logger[requestSym] && logger[requestSym].route
+    if (route) {
+      const methods = stats.routes[route.path] = stats.routes[route.path] || {}
+      methods[route.method] = (methods[route.method] || 0) + 1
+    }
+  }
+
+  function startSlowRequestTimer (request, settings) {
+    const timer = setTimeout(() => {
+      getRequestState(request).slowTimer = null
+      if (request.logger) {
+        request.logger[settings.slowRequestLevel]({
+          slow: true,
+          elapsed: Date.now() - request.info.received
+        }, 'request still running')
+      }
+    }, settings.slowRequestThreshold)
+    timer.unref()
+
+    getRequestState(request).slowTimer = timer
+  }
+
+  function getRequestState (request) {
+    if (!request.plugins['hapi-pino']) {
+      request.plugins['hapi-pino'] = { fields: {} }
+    }
+
+    return request.plugins['hapi-pino']
   }
+
+  function getSampleRate (request, statusCode, responseTime, slow) {
+    if (slow ||
+      (sampling.keepServerErrors && statusCode >= 500) ||
+      (sampling.keepErrors && getRequestState(request).errored) ||
+      (sampling.keepSlowerThan !== undefined && responseTime >= sampling.keepSlowerThan)) {
+      return 1
+    }
+
+    const route = request.route
+    if (sampling.routes[route.path] !== undefined) {
+      return sampling.routes[route.path]
+    }
+
+    // when several tags match, the highest rate wins so that no tag is under-sampled
+    let tagRate
+    for (const tag of route.settings.tags || []) {
+      const rate = sampling.tags[tag]
+      if (rate !== undefined && (tagRate === undefined || rate > tagRate)) {
+        tagRate = rate
+      }
+    }
+
+    return tagRate !== undefined ? tagRate : sampling.rate
+  }
+
+  function wrapValidationFailAction (route) {
+    const validate = route.settings.validate
+    const failAction = validate.failAction
+    if (failAction === 'ignore' || !validationSources.some(source => validate[source])) {
+      return
+    }
+
+    validate.failAction = function (request, h, err) {
+      logValidationError(request, err)
+
+      if (typeof failAction === 'function') {
+        return failAction.call(this, request, h, err)
+      }
+
+      // same as hapi, which only passes the detailed error to `failAction` functions
+      if (failAction === 'error') {
+        throw err.data.defaultError
+      }
+
+      // same internal event as the `'log'` fail action of hapi, `request.log()` would emit it on the `app` channel
+      request._log(['validation', 'error', err.output.payload.validation.source], err.data.defaultError)
+      return h.continue
+    }
+  }
+
+  function logValidationError (request, err) {
+    const settings = getSettings(request.route)
+    if (isLoggingIgnored(settings, request)) {
+      return
+    }
+
+    if (!request.logger) {
+      request.logger = createRequestLogger(request, getChildBindings(request))
+    }
+
+    const details = err.details || [{ message: err.message }]
+    request.logger[validationErrors.level](
+      {
+        validation: {
+          source: err.output.payload.validation.source,
+          errors: details.map(detail => getValidationErrorDetail(detail, validationErrors.redact))
+        }
+      },
+      'request validation failed'
+    )
+  }
+
+  function getErrorLogger (request, errorOptions) {
+    if (!errorOptions || errorOptions.stack) {
+      return request.logger
+    }
+
+    return request.logger.child({}, { serializers: { err: stacklessErrSerializer } })
+  }
+
+  function getLifecyclePhase (request) {
+    const marks = getRequestState(request).timings || {}
+
+    let phase = 'onRequest'
+    for (const [name, point] of timingPhases) {
+      if (marks[point] !== undefined) {
+        phase = name
+      }
+    }
+
+    return phase
+  }
+
+  function getTimings (request) {
+    const info = request.info
+    const marks = getRequestState(request).timings || {}
+    const end = toMonotonic(info.responded || info.completed)
+
+    let phase = 'onRequest'
+    let start = marks.received !== undefined ? marks.received : toMonotonic(info.received)
+    const timings = {}
+    for (const [name, point] of timingPhases) {
+      if (marks[point] !== undefined) {
+        timings[phase] = elapsed(start, marks[point])
+        phase = name
+        start = marks[point]
+      }
+    }
+
+    timings[phase] = elapsed(start, end)
+    return timings
+  }
+
+  function getResponsePayload (request, responsePayload, statusCode) {
+    const response = request.response
+    if (responsePayload.mode === 'non2xx' && statusCode >= 200 && statusCode < 300) {
+      return undefined
+    }
+
+    if (response.variety !== 'plain' || response.source === null || response.source === undefined || Buffer.isBuffer(response.source)) {
+      return undefined
+    }
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+    if (!responsePayload.contentTypes.includes(contentType)) {
+      return undefined
+    }
+
+    let serialized
+    try {
+      serialized = JSON.stringify(response.source)
+    } catch (err) {
+      return undefined
+    }
+
+    const bytes = Buffer.byteLength(serialized)
+    return bytes > responsePayload.maxBytes ? `[Truncated: ${bytes} bytes]` : response.source
+  }
+
+  function getTraceBindings (request) {
+    const trace = getActiveSpanContext() || parseTraceparent(request.headers.traceparent)
+    if (!trace) {
+      return {}
+    }
+
+    const keys = traceContext.keys
+    const bindings = {
+      [keys.traceId]: trace.traceId,
+      [keys.spanId]: trace.spanId,
+      [keys.traceFlags]: trace.traceFlags
+    }
+
+    const traceState = trace.traceState || request.headers.tracestate
+    if (traceState && keys.traceState) {
+      bindings[keys.traceState] = traceState
+    }
+
+    return bindings
+  }
+
+  function getActiveSpanContext () {
+    const otel = traceContext.otel
+    if (!otel) {
+      return null
+    }
+
+    const span = otel.trace.getSpan(otel.context.active())
+    const spanContext = span && span.spanContext()
+    if (!spanContext || !otel.isSpanContextValid(spanContext)) {
+      return null
+    }
+
+    return {
+      traceId: spanContext.traceId,
+      spanId: spanContext.spanId,
+      traceFlags: spanContext.traceFlags.toString(16).padStart(2, '0'),
+      traceState: spanContext.traceState ? spanContext.traceState.serialize() : undefined
+    }
+  }
+
+  function createRequestId (request) {
+    const incoming = requestId.header && request.headers[requestId.header]
+    if (typeof incoming === 'string' && incoming.length <= requestId.maxLength && requestIdFormat.test(incoming)) {
+      return incoming
+    }
+
+    return (requestId.generate && requestId.generate(request)) || request.info.id
+  }
+
+  function getRequestId (request) {
+    const state = request.plugins['hapi-pino']
+    return state && state.requestId !== undefined ? state.requestId : request.info.id
+  }
+
+  function isCustomTagsLoggingIgnored (event, ignoredTags) {
+    if (event.tags && ignoredTags !== '*') {
+      return event.tags.some(tag => ignoredTags.indexOf(tag) > -1)
+    }
+    return false
+  }
+
+  function compileRouteSettings (route) {
+    const overrides = route.settings.plugins['hapi-pino']
+    const vhostOverrides = getVhostOptions(route)
+    if (overrides || vhostOverrides) {
+      routeSettings.set(route.settings, compileSettings(Object.assign({}, options, vhostOverrides, overrides)))
+      hasRouteSettings = true
+    }
+  }
+
+  function getSettings (route) {
+    return routeSettings.get(route.settings) || defaultSettings
+  }
+
+  function getVhostOptions (route) {
+    if (!options.vhosts || !route.settings.vhost) {
+      return undefined
+    }
+
+    const vhost = [].concat(route.settings.vhost).find(vhost => options.vhosts[vhost])
+    return vhost ? options.vhosts[vhost] : undefined
+  }
+
+  // the route is only needed before routing for its settings, ignore rules, scoped levels and plugin name
+  function needsRouteMatch () {
+    return hasRouteSettings ||
+      Object.keys(ignoredPaths.routes).length > 0 ||
+      !!options.ignoreTags ||
+      !!options.logPlugin ||
+      scopedLevels.path.size > 0 ||
+      scopedLevels.tag.size > 0
+  }
+
+  function matchRoute (request) {
+    const path = request.path
+    if (!needsRouteMatch() || typeof path !== 'string' || path[0] !== '/') {
+      return request.route
+    }
+
+    try {
+      return server.match(request.method, path, request.info.hostname) || request.route
+    } catch (err) {
+      return request.route
+    }
+  }
+
+  function isLoggingIgnored (settings, request, route = request.route) {
+    const options = settings.options
+    if (typeof options.ignore === 'boolean') {
+      return options.ignore
+    }
+
+    if (typeof options.ignoreFunc === 'function') {
+      return !!options.ignoreFunc(options, request)
+    }
+
+    // note: from hapi@18.0.0 the `request.url` can be undefined
+    // based on that we prefer to use request.path instead of request.url.pathname
+    if (options.ignorePaths && isPathIgnored(request.path, route.path)) {
+      return true
+    }
+
+    const ignoreTags = options.ignoreTags
+    const routeTags = route.settings.tags
+
+    if (!ignoreTags || !routeTags) {
+      return false
+    }
+
+    for (let index = ignoreTags.length; index >= 0; index--) {
+      if (routeTags.includes(ignoreTags[index])) {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  function isPathIgnored (path, routePath) {
+    if (ignoredPaths.exact[path] || ignoredPaths.routes[routePath]) {
+      return true
+    }
+
+    if (typeof path !== 'string') {
+      return false
+    }
+
+    for (const pattern of ignoredPaths.patterns) {
+      if (pattern.test(path)) {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  function isEnabledLogEvent (options, name) {
+    return options.logEvents && options.logEvents.indexOf(name) !== -1
+  }
+
+  function tryAddEvent (server, options, type, event, cb) {
+    const name = typeof event === 'string' ? event : event.name
+    if (isEnabledLogEvent(options, name)) {
+      if (type === 'on') {
+        server.events.on(event, cb)
+      } else if (type === 'ext') {
+        server.ext(event, cb)
+      } else {
+        throw new Error(`unsupported type ${type}`)
+      }
+    }
+  }
+
+  function logEvent (current, event) {
+    // check for null logger
+    if (current === nullLogger) {
+      return
+    }
+
+    const tags = event.tags
+    let data = event.data
+
+    let logObject
+    if (mergeHapiLogData) {
+      if (typeof data === 'string' || typeof data === 'number') {
+        data = { [messageKey]: data }
+      }
+
+      logObject = Object.assign({ tags }, data)
+    } else {
+      logObject = { tags, data }
+    }
+
+    let highest = 0
+
+    for (const tag of tags) {
+      const level = tagToLevelValue[tag]
+      if (level && level > highest) {
+        highest = level
+      }
+    }
+
+    writeLine(current, highest > 0 ? current.levels.labels[highest] : allTags, logObject)
+  }
+}
+
+// `ignorePaths` entries are either exact paths, route templates such as `/users/{id}` (matched against
+// `request.route.path`), globs such as `/static/*` or `/assets/**`, or regular expressions
+function compileIgnorePaths (ignorePaths) {
+  const compiled = { exact: {}, routes: {}, patterns: [] }
+  for (const entry of ignorePaths) {
+    if (entry instanceof RegExp) {
+      // stateful `g` and `y` regular expressions would alternate matches between calls to `test()`
+      compiled.patterns.push(new RegExp(entry.source, entry.flags.replace(/[gy]/g, '')))
+    } else if (typeof entry !== 'string') {
+      throw new Error('ignorePaths entries must be strings or regular expressions')
+    } else if (entry.includes('{')) {
+      compiled.routes[entry] = true
+    } else if (entry.includes('*')) {
+      compiled.patterns.push(globToRegExp(entry))
+    } else {
+      compiled.exact[entry] = true
+    }
+  }
+
+  return compiled
+}
+
+function globToRegExp (glob) {
+  const source = glob
+    .split(/(\*\*|\*)/)
+    .map(part => part === '**' ? '.*' : part === '*' ? '[^/]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('')
+
+  return new RegExp(`^${source}$`)
+}
+
+// `customRequestCompleteLevel` is either a level, a function `(request, statusCode) => level`,
+// or a map of exact status codes or status classes (`2xx`, `4xx`, ...) to levels
+function compileRequestCompleteLevel (level) {
+  if (typeof level === 'function') {
+    return (request, statusCode) => level(request, statusCode) || 'info'
+  }
+
+  if (level && typeof level === 'object') {
+    return (request, statusCode) => level[statusCode] || (statusCode ? level[`${String(statusCode)[0]}xx`] : undefined) || 'info'
+  }
+
+  const staticLevel = level || 'info'
+  return () => staticLevel
+}
+
+// `authBindings` is either a function `(request) => bindings`, or a list of paths in `request.auth`
+// such as `credentials.user.id` whose values are bound under an `auth` key
+function compileAuthBindings (authBindings) {
+  if (typeof authBindings === 'function') {
+    return authBindings
+  }
+
+  if (!Array.isArray(authBindings)) {
+    throw new Error('authBindings must be a function or an array of paths')
+  }
+
+  return (request) => {
+    const auth = {}
+    for (const path of authBindings) {
+      const value = Hoek.reach(request.auth, path)
+      if (value !== undefined) {
+        const keys = path.split('.')
+        const last = keys.pop()
+        let target = auth
+        for (const key of keys) {
+          target = target[key] = target[key] || {}
+        }
+        target[last] = value
+      }
+    }
+
+    return { auth }
+  }
+}
+
+function resolveTraceContextOptions (traceContext) {
+  if (!traceContext) {
+    return null
+  }
+
+  const settings = traceContext === true ? {} : traceContext
+  return {
+    keys: Object.assign({
+      traceId: 'trace_id',
+      spanId: 'span_id',
+      traceFlags: 'trace_flags',
+      traceState: 'trace_state'
+    }, settings.keys),
+    otel: settings.openTelemetry === false ? null : loadOpenTelemetry()
+  }
+}
+
+function loadOpenTelemetry () {
+  try {
+    return require('@opentelemetry/api')
+  } catch (err) {
+    return null
+  }
+}
+
+function parseTraceparent (header) {
+  const match = typeof header === 'string' && traceparentFormat.exec(header.trim())
+  if (!match) {
+    return null
+  }
+
+  const [, version, traceId, spanId, traceFlags, rest] = match
+  if (version === 'ff' || (version === '00' && rest) || /^0+$/.test(traceId) || /^0+$/.test(spanId)) {
+    return null
+  }
+
+  return { traceId, spanId, traceFlags }
+}
+
+function resolveResponsePayloadOptions (logResponsePayload) {
+  if (!logResponsePayload) {
+    return null
+  }
+
+  const settings = Object.assign({
+    maxBytes: 4096,
+    contentTypes: ['application/json'],
+    mode: 'always'
+  }, logResponsePayload === true ? {} : logResponsePayload)
+
+  if (settings.mode !== 'always' && settings.mode !== 'non2xx') {
+    throw new Error('logResponsePayload.mode must be either \'always\' or \'non2xx\'')
+  }
+
+  settings.contentTypes = settings.contentTypes.map(contentType => contentType.toLowerCase())
+  return settings
+}
+
+// see https://prometheus.io/docs/instrumenting/exposition_formats/#text-based-format
+function formatPrometheusStats (stats) {
+  const lines = [
+    '# HELP hapi_pino_log_lines_total Number of log lines written, by level.',
+    '# TYPE hapi_pino_log_lines_total counter'
+  ]
+  for (const [level, count] of Object.entries(stats.levels)) {
+    lines.push(`hapi_pino_log_lines_total{level="${escapeLabelValue(level)}"} ${count}`)
+  }
+
+  lines.push(
+    '# HELP hapi_pino_route_log_lines_total Number of log lines written by request loggers, by route.',
+    '# TYPE hapi_pino_route_log_lines_total counter'
+  )
+  for (const [path, methods] of Object.entries(stats.routes)) {
+    for (const [method, count] of Object.entries(methods)) {
+      lines.push(`hapi_pino_route_log_lines_total{method="${escapeLabelValue(method)}",route="${escapeLabelValue(path)}"} ${count}`)
+    }
+  }
+
+  lines.push(
+    '# HELP hapi_pino_dropped_requests_total Number of requests whose response log was dropped, by reason.',
+    '# TYPE hapi_pino_dropped_requests_total counter'
+  )
+  for (const [reason, count] of Object.entries(stats.dropped)) {
+    lines.push(`hapi_pino_dropped_requests_total{reason="${reason}"} ${count}`)
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+function escapeLabelValue (value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function resolveValidationErrorOptions (logValidationErrors) {
+  if (!logValidationErrors) {
+    return null
+  }
+
+  return Object.assign({
+    level: 'warn',
+    redact: true
+  }, logValidationErrors === true ? {} : logValidationErrors)
+}
+
+function getValidationErrorDetail (detail, redact) {
+  const value = detail.context ? detail.context.value : undefined
+  let message = detail.message
+
+  // some joi messages contain the quoted offending value, like `string.pattern.base`, only that is replaced so that a
+  // short value can't mangle the rest of the message
+  if (redact && (typeof value === 'string' || typeof value === 'number')) {
+    message = message.split(`"${value}"`).join('"[Redacted]"')
+  }
+
+  return {
+    path: detail.path ? detail.path.join('.') : undefined,
+    type: detail.type,
+    message,
+    value: redact ? (value === undefined ? undefined : '[Redacted]') : value
+  }
+}
+
+function resolveErrorLogOptions (logErrors, defaults) {
+  if (logErrors === undefined) {
+    return null
+  }
+
+  return Object.assign({ log: !!logErrors }, defaults, typeof logErrors === 'object' ? logErrors : {})
+}
+
+function resolveRedactPreset (redactPreset) {
+  if (!redactPreset) {
+    return null
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(redactPresets, redactPreset)) {
+    throw new Error(`unknown redactPreset ${redactPreset}`)
+  }
+
+  return redactPresets[redactPreset]
+}
+
+function maskQuery (serializer, pattern) {
+  return function (value) {
+    const serialized = serializer(value)
+    if (!serialized || typeof serialized !== 'object') {
+      return serialized
+    }
+
+    return {
+      ...serialized,
+      url: typeof serialized.url === 'string' ? maskUrl(serialized.url, pattern) : serialized.url,
+      query: maskQueryParams(serialized.query, pattern)
+    }
+  }
+}
+
+function maskUrl (url, pattern) {
+  const index = url.indexOf('?')
+  if (index < 0) {
+    return url
+  }
+
+  const params = url.slice(index + 1).split('&').map(param => {
+    const name = param.split('=')[0]
+    return pattern.test(name) ? `${name}=[Redacted]` : param
+  })
+  return `${url.slice(0, index)}?${params.join('&')}`
+}
+
+function maskQueryParams (query, pattern) {
+  if (!pattern || !query || typeof query !== 'object') {
+    return query
+  }
+
+  const masked = {}
+  for (const [name, value] of Object.entries(query)) {
+    masked[name] = pattern.test(name) ? '[Redacted]' : value
+  }
+
+  return masked
+}
+
+function resolveHeaderOptions (headerOptions, name, redactedHeaders) {
+  if (!headerOptions && !redactedHeaders) {
+    return null
+  }
+  headerOptions = headerOptions || {}
+
+  const lists = {}
+  for (const list of ['allow', 'deny', 'redact']) {
+    const headers = headerOptions[list]
+    if (headers !== undefined && !Array.isArray(headers)) {
+      throw new Error(`${name}.${list} must be an array of header names`)
+    }
+    lists[list] = headers ? new Set(headers.map(header => header.toLowerCase())) : null
+  }
+
+  if (redactedHeaders) {
+    lists.redact = new Set([...(lists.redact || []), ...redactedHeaders])
+  }
+
+  return lists
+}
+
+function filterHeaders (serializer, headerOptions) {
+  return function (value) {
+    const serialized = serializer(value)
+    if (!serialized || typeof serialized.headers !== 'object' || serialized.headers === null) {
+      return serialized
+    }
+
+    const headers = {}
+    for (const [name, header] of Object.entries(serialized.headers)) {
+      const key = name.toLowerCase()
+      if ((headerOptions.allow && !headerOptions.allow.has(key)) || (headerOptions.deny && headerOptions.deny.has(key))) {
+        continue
+      }
+      headers[name] = headerOptions.redact && headerOptions.redact.has(key) ? '[Redacted]' : header
+    }
+
+    return { ...serialized, headers }
+  }
+}
+
+// flattens the hapi specific properties of boom errors, `data` often holds the original error
+function boomErrSerializer (errSerializer) {
+  return function (err) {
+    const serialized = errSerializer(err)
+    if (!err || !err.isBoom || !serialized || typeof serialized !== 'object') {
+      return serialized
+    }
+
+    const { output, isBoom, ...rest } = serialized
+    return {
+      ...rest,
+      statusCode: err.output.statusCode,
+      payload: err.output.payload,
+      isServer: err.isServer,
+      data: err.data instanceof Error ? errSerializer(err.data) : err.data
+    }
+  }
+}
+
+function omitStack (errSerializer) {
+  return function (err) {
+    const serialized = errSerializer(err)
+    return serialized && typeof serialized === 'object' ? { ...serialized, stack: undefined } : serialized
+  }
+}
+
+function resolveMetricsOptions (logMetrics) {
+  if (!logMetrics) {
+    return null
+  }
+
+  const names = logMetrics === true ? Object.keys(metricFields) : logMetrics
+  for (const name of names) {
+    if (!Object.prototype.hasOwnProperty.call(metricFields, name)) {
+      throw new Error(`logMetrics contains an unknown metric: ${name}`)
+    }
+  }
+
+  return names
+}
+
+function getMetrics (request, names) {
+  const metrics = {}
+  for (const name of names) {
+    metrics[name] = metricFields[name](request)
+  }
+
+  return metrics
+}
+
+// counts the body bytes written to the response into `state.bytesSent`, the headers are not counted
+function countBytesSent (res, state) {
+  const { write, end } = res
+  state.bytesSent = 0
+
+  res.write = function (chunk, encoding) {
+    state.bytesSent += getChunkLength(chunk, encoding)
+    return write.apply(this, arguments)
+  }
+
+  res.end = function (chunk, encoding) {
+    if (chunk && typeof chunk !== 'function') {
+      state.bytesSent += getChunkLength(chunk, encoding)
+    }
+    return end.apply(this, arguments)
+  }
+}
+
+function getChunkLength (chunk, encoding) {
+  if (typeof chunk === 'string') {
+    return Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined)
+  }
+
+  return chunk.byteLength
+}
+
+function assignDefined (target, source) {
+  for (const key of Object.keys(source)) {
+    if (source[key] !== undefined) {
+      target[key] = source[key]
+    }
+  }
+
+  return target
+}
+
+function getContentLength (header) {
+  const length = parseInt(header, 10)
+  return Number.isNaN(length) ? undefined : length
+}
+
+function resolveSamplingOptions (sampling) {
+  if (!sampling) {
+    return null
+  }
+
+  const settings = Object.assign({
+    rate: 1,
+    routes: {},
+    tags: {},
+    keepServerErrors: true,
+    keepErrors: true,
+    keepSlowerThan: undefined
+  }, sampling)
+
+  const rates = [settings.rate, ...Object.values(settings.routes), ...Object.values(settings.tags)]
+  if (!rates.every(rate => typeof rate === 'number' && rate >= 0 && rate <= 1)) {
+    throw new Error('sampling rates must be numbers between 0 and 1')
+  }
+
+  return settings
+}
+
+// only the paths of the pino `redact` option, the `censor` may be a function or a value worth hiding
+function getRedactPaths (redact) {
+  return Array.isArray(redact) ? redact : redact.paths
+}
+
+function sanitizeOptions (value, key) {
+  if (key !== undefined && secretOptionKey.test(key)) {
+    return '[Redacted]'
+  }
+
+  if (typeof value === 'function') {
+    return '[Function]'
+  }
+
+  if (value instanceof RegExp) {
+    return value.toString()
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(sanitizeOptions)
+  }
+
+  if (value && typeof value === 'object') {
+    const sanitized = {}
+    for (const key of Object.keys(value)) {
+      sanitized[key] = sanitizeOptions(value[key], key)
+    }
+    return sanitized
+  }
+
+  return value
+}
+
+function addExitHandler (event, registration) {
+  if (!exitHandlers.has(event)) {
+    const handler = (err) => handleExit(event, err)
+    exitHandlers.set(event, { handler, registrations: new Set() })
+    process.on(event, handler)
+  }
+
+  exitHandlers.get(event).registrations.add(registration)
+}
+
+function removeExitHandler (event, registration) {
+  const { handler, registrations } = exitHandlers.get(event)
+  registrations.delete(registration)
+  if (registrations.size === 0) {
+    process.removeListener(event, handler)
+    exitHandlers.delete(event)
+  }
+}
+
+function handleExit (event, err) {
+  const exitEvent = exitEvents[event]
+  const { handler, registrations } = exitHandlers.get(event)
+  const servers = [...registrations]
+
+  if (!exitEvent.graceful) {
+    // pino synchronously flushes the destination on `fatal`
+    for (const { log } of servers) {
+      log('fatal', { err }, exitEvent.message)
+    }
+    process.exit(exitEvent.code)
+    return
+  }
+
+  for (const { log } of servers) {
+    log('info', exitEvent.message)
+  }
+
+  // the application stops the servers itself, e.g. with `await server.stop()`
+  if (process.listeners(event).some(listener => listener !== handler)) {
+    return
+  }
+
+  Promise.all(servers.map(({ stop }) => stop()))
+    .then((stopped) => Promise.all(servers.map(({ flush }) => flush()))
+      .then(() => process.exit(stopped.every(Boolean) ? exitEvent.code : 1)))
+}
+
+// converts a recent `Date.now()` timestamp of hapi to the monotonic clock of `performance.now()`, measuring the
+// offset right away so that the two clocks can't drift apart in long-running processes
+function toMonotonic (timestamp) {
+  return performance.now() - (Date.now() - timestamp)
+}
+
+// milliseconds between two monotonic timestamps, rounded to the microsecond
+function elapsed (start, end) {
+  return Math.max(Math.round((end - start) * 1000) / 1000, 0)
+}
+
+function isValidTtl (ttl) {
+  return ttl === undefined || ttl === null || (Number.isInteger(ttl) && ttl > 0)
+}
+
+function compileSettings (options) {
+  return {
+    options,
+    shouldLogRequestStart: typeof options.logRequestStart === 'function'
+      ? (request) => options.logRequestStart(request)
+      : typeof options.logRequestStart === 'boolean'
+        ? () => !!options.logRequestStart
+        : () => false,
+    shouldLogRequestComplete: typeof options.logRequestComplete === 'function'
+      ? (request) => options.logRequestComplete(request)
+      : typeof options.logRequestComplete === 'boolean'
+        ? () => !!options.logRequestComplete
+        : () => true,
+
+    requestStartMessage: options.customRequestStartMessage || function () { return 'request start' },
+    requestCompleteMessage: options.customRequestCompleteMessage || function (request, responseTime) { return `[response] ${request.method} ${request.path} ${request.raw.res.headersSent ? request.raw.res.statusCode : '-'} (${responseTime}ms)` },
+    requestErrorMessage: options.customRequestErrorMessage || function (request, error) { return error.message }, // Will default to `Internal Server Error` by hapi
+    requestAbortedMessage: options.customRequestAbortedMessage || function (request, responseTime) { return `[aborted] ${request.method} ${request.path} (${responseTime}ms)` },
+
+    responsePayload: resolveResponsePayloadOptions(options.logResponsePayload),
+
+    slowRequestThreshold: options.slowRequestThreshold,
+    slowRequestLevel: options.slowRequestLevel || 'warn',
+
+    requestStartLevel: options.customRequestStartLevel || 'info',
+    requestCompleteLevel: compileRequestCompleteLevel(options.customRequestCompleteLevel),
+    requestErrorLevel: options.customRequestErrorLevel || 'error',
+    requestAbortedLevel: options.customRequestAbortedLevel || 'warn'
+  }
+}
+
+function resolveRequestIdOptions (requestId) {
+  if (!requestId) {
+    return null
+  }
+
+  const settings = Object.assign({
+    header: 'x-request-id',
+    responseHeader: 'x-request-id',
+    key: 'requestId',
+    generate: null,
+    maxLength: 128
+  }, requestId === true ? {} : requestId)
+
+  if (settings.generate !== null && typeof settings.generate !== 'function') {
+    throw new Error('requestId.generate must be a function')
+  }
+
+  // node lowercases the names of the incoming headers
+  if (typeof settings.header === 'string') {
+    settings.header = settings.header.toLowerCase()
+  }
+
+  return settings
+}
+
+function resolveVerboseHeaderOptions (verboseHeader) {
+  if (!verboseHeader) {
+    return null
+  }
+
+  if (!verboseHeader.secret) {
+    throw new Error('verboseHeader.secret is required')
+  }
+
+  const settings = Object.assign({
+    header: 'x-log-level',
+    algorithm: 'sha256'
+  }, verboseHeader)
+
+  // node lowercases the names of the incoming headers
+  settings.header = settings.header.toLowerCase()
+  return settings
+}
+
+// returns the logger of the current request when `asyncContext` is enabled, or the logger of the given server
+function getLogger (server) {
+  const context = requestContext.getStore()
+  if (context && context.request && context.request.logger) {
+    return context.request.logger
+  }
+
+  return (server && serverLoggers.get(server.registrations)) || disabledLogger
 }
 
 module.exports = {
   register,
-  name: 'hapi-pino'
+  getLogger,
+  name: 'hapi-pino',
+  version: require('./package.json').version
 }
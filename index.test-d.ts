@@ -1,5 +1,5 @@
 import { Request, Server, server, ServerApplicationState } from '@hapi/hapi';
-import { pino } from 'pino';
+import { pino, Logger } from 'pino';
 import * as HapiPino from '.';
 import { expectType } from 'tsd';
 
@@ -12,6 +12,19 @@ const options: HapiPino.Options = {
   logQueryParams: false,
   logPathParams: false,
   logPayload: false,
+  logResponsePayload: { maxBytes: 1024, contentTypes: ['application/json'], mode: 'non2xx' },
+  logTimings: true,
+  logMetrics: ['bytesSent', 'route'],
+  logClientErrors: { level: 'warn' },
+  logServerErrors: { stack: false },
+  logValidationErrors: { level: 'info', redact: false },
+  requestHeaders: { deny: ['user-agent'], redact: ['Authorization'] },
+  responseHeaders: { allow: ['content-type', 'content-length'] },
+  redactPreset: 'default',
+  vhosts: { 'admin.example.com': { logPayload: true, customRequestCompleteLevel: 'warn' } },
+  logAbortedRequests: true,
+  customRequestAbortedLevel: 'warn',
+  customRequestAbortedMessage: (req: Request, responseTime: number) => `aborted ${req.path} after ${responseTime}ms`,
   logRouteTags: false,
   logRequestStart: false,
   logRequestComplete: true,
@@ -35,29 +48,105 @@ const options: HapiPino.Options = {
   customRequestStartMessage: (req: Request) => `request start ${req.path}`,
   customRequestCompleteMessage: (req: Request, responseTime: number) => `request complete ${req.path} in ${responseTime}ms`,
   customRequestErrorMessage: (req: Request, error: Error) => `request failed ${req.path} with error ${error.message}`,
+  customRequestCompleteLevel: { '2xx': 'info', '4xx': 'warn', '5xx': 'error', 404: 'debug' },
   instance: pinoLogger,
+  slowRequestThreshold: 2000,
+  slowRequestLevel: 'warn',
   logEvents: false,
   mergeHapiLogData: false,
-  ignorePaths: ['/testRoute'],
+  ignorePaths: ['/testRoute', '/static/*', '/users/{id}/avatar', /^\/health/],
   level: 'debug',
   redact: ['test.property'],
   ignoreTags: ['healthcheck'],
   ignoreFunc: (options, request) => request.path.startsWith('/static'),
   ignoredEventTags: [{ log: ['DEBUG', 'TEST'], request: ['DEBUG', 'TEST'] }],
+  requestId: {
+    header: 'x-correlation-id',
+    responseHeader: 'x-correlation-id',
+    key: 'correlationId',
+    generate: (req: Request) => `${req.info.id}-custom`,
+    maxLength: 64,
+  },
+  asyncContext: true,
+  traceContext: {
+    keys: { traceId: 'traceId', spanId: 'spanId', traceFlags: 'traceFlags', traceState: null },
+    openTelemetry: true,
+  },
+  levelRoute: {
+    path: '/admin/log-level',
+    auth: 'admin',
+    ttl: 60000,
+  },
+  statsRoute: {
+    auth: false,
+  },
+  verboseHeader: {
+    header: 'x-debug-level',
+    secret: 'a-long-random-secret',
+  },
+  logStartupReport: true,
+  logPlugin: true,
+  authBindings: ['credentials.user.id', 'credentials.scope', 'strategy'],
+  flushOnStop: true,
+  exitHandlers: ['uncaughtException', 'SIGTERM'],
+  sampling: {
+    rate: 0.1,
+    routes: { '/users/{id}': 0.5 },
+    tags: { healthcheck: 0.01 },
+    keepServerErrors: true,
+    keepErrors: true,
+    keepSlowerThan: 1000,
+  },
 };
 
 expectType<Promise<Server<ServerApplicationState> & void>>(hapiServer.register({ plugin: HapiPino, options }));
 
+const levelFunctionOptions: HapiPino.Options = {
+  customRequestCompleteLevel: (req: Request, statusCode: number) => (statusCode >= 500 ? 'error' : 'info'),
+};
+expectType<Promise<Server<ServerApplicationState> & void>>(hapiServer.register({ plugin: HapiPino, options: levelFunctionOptions }));
+
+const authFunctionOptions: HapiPino.Options = {
+  authBindings: (req: Request) => ({ userId: req.auth.credentials.user }),
+};
+expectType<Promise<Server<ServerApplicationState> & void>>(hapiServer.register({ plugin: HapiPino, options: authFunctionOptions }));
+
 const emptyOptions: HapiPino.Options = {};
 expectType<Promise<Server<ServerApplicationState> & void>>(hapiServer.register({ plugin: HapiPino, options: emptyOptions }));
 
+expectType<HapiPino.LevelState>(hapiServer.plugins['hapi-pino'].setLevel('debug', { tag: 'payments', ttl: 1000 }));
+expectType<HapiPino.LevelState>(hapiServer.plugins['hapi-pino'].resetLevel({ tag: 'payments' }));
+expectType<string>(hapiServer.plugins['hapi-pino'].getLevel().level);
+expectType<number>(hapiServer.plugins['hapi-pino'].stats.dropped.sampled);
+
 hapiServer.logger.info('some message');
+expectType<Logger>(hapiServer.pluginLogger());
+expectType<Logger>(HapiPino.getLogger());
+expectType<Logger>(HapiPino.getLogger(hapiServer));
 hapiServer.logger.error(new Error('some error'));
 
+hapiServer.route({
+  method: 'GET',
+  path: '/admin',
+  options: {
+    plugins: {
+      'hapi-pino': {
+        logPayload: true,
+        logResponsePayload: true,
+        customRequestCompleteLevel: 'warn',
+      },
+    },
+  },
+  handler(request) {
+    return 'ok';
+  }
+});
+
 hapiServer.route({
   method: 'GET',
   path: '/path',
   handler(request) {
+    request.plugins['hapi-pino'].fields.userId = 42;
     request.logger.info('some message');
     request.logger.error(new Error('some error'));
   }